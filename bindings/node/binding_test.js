@@ -7,3 +7,10 @@ test("can load grammar", () => {
   const parser = new Parser();
   assert.doesNotThrow(() => parser.setLanguage(require(".")));
 });
+
+test("exposes frozen node kinds", () => {
+  const { NodeKinds } = require(".");
+  assert.strictEqual(NodeKinds.requires_clause, "requires_clause");
+  assert.strictEqual(NodeKinds.verus_block, "verus_block");
+  assert.ok(Object.isFrozen(NodeKinds));
+});
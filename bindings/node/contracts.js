@@ -0,0 +1,154 @@
+/**
+ * Extracts Verus function contracts (requires, ensures, ...) from a parsed tree.
+ */
+
+const { range } = require("./util");
+
+const FUNCTION_TYPES = ["function_item", "function_signature_item"];
+
+const CLAUSE_KINDS = {
+  requires_clause: "requires",
+  ensures_clause: "ensures",
+  recommends_clause: "recommends",
+  decreases_clause: "decreases",
+  returns_clause: "returns",
+  opens_invariants_clause: "opens_invariants",
+  no_unwind_clause: "no_unwind",
+};
+
+// Fields holding a clause's main expressions
+const EXPRESSION_FIELDS = ["condition", "measure", "value", "invariant"];
+
+const COMMENT_TYPES = ["line_comment", "block_comment"];
+
+/**
+ * @param {import("tree-sitter").SyntaxNode} node
+ */
+function expression(node) {
+  return { text: node.text, range: range(node) };
+}
+
+/**
+ * @param {import("tree-sitter").SyntaxNode} node
+ * @param {string} type
+ */
+function childOfType(node, type) {
+  return node.namedChildren.find((child) => child.type === type) || null;
+}
+
+/**
+ * @param {import("tree-sitter").SyntaxNode} node
+ */
+function clause(node) {
+  const when = node.childForFieldName("when");
+  const via = node.childForFieldName("via");
+  const scope = node.children.find((child) => child.type === "any" || child.type === "none");
+
+  return {
+    kind: CLAUSE_KINDS[node.type],
+    expressions: EXPRESSION_FIELDS
+      .flatMap((name) => node.childrenForFieldName(name))
+      .sort((a, b) => a.startIndex - b.startIndex)
+      .map(expression),
+    when: when ? expression(when) : null,
+    via: via ? expression(via) : null,
+    scope: scope ? scope.type : null,
+    range: range(node),
+  };
+}
+
+/**
+ * @param {import("tree-sitter").SyntaxNode | null} node
+ */
+function parameters(node) {
+  if (!node) {
+    return [];
+  }
+
+  const result = [];
+  for (const child of node.namedChildren) {
+    if (COMMENT_TYPES.includes(child.type) || child.type === "attribute_item") {
+      continue;
+    }
+
+    let pattern = null;
+    let type = null;
+    const mode = child.childForFieldName("mode");
+    if (child.type === "parameter" || child.type === "variadic_parameter") {
+      const patternNode = child.childForFieldName("pattern");
+      pattern = patternNode ? patternNode.text : null;
+      type = child.childForFieldName("type");
+    } else if (child.type === "self_parameter") {
+      // `&mut self` without the leading mode
+      pattern = mode ? child.text.slice(mode.endIndex - child.startIndex).trimStart() : child.text;
+    } else {
+      type = child;
+    }
+
+    result.push({
+      pattern,
+      type: type ? type.text : null,
+      mode: mode ? mode.text : null,
+      range: range(child),
+    });
+  }
+
+  return result;
+}
+
+/**
+ * @param {import("tree-sitter").SyntaxNode} node
+ */
+function contract(node) {
+  const mode = childOfType(node, "function_mode");
+  const publish = childOfType(node, "publish");
+  const qualifier = childOfType(node, "fn_qualifier");
+  const returnType = node.childForFieldName("return_type");
+  const returnName = returnType ? childOfType(returnType, "identifier") : null;
+  const returnTypeNode = returnType ? returnType.namedChildren[returnType.namedChildCount - 1] : null;
+  const name = node.childForFieldName("name");
+
+  return {
+    name: name ? name.text : null,
+    kind: node.type,
+    mode: mode ? mode.text : "exec",
+    publish: publish ? publish.text : null,
+    parameters: parameters(node.childForFieldName("parameters")),
+    returnName: returnName ? returnName.text : null,
+    returnType: returnTypeNode ? returnTypeNode.text : null,
+    clauses: qualifier
+      ? qualifier.namedChildren
+        .filter((child) => child.type in CLAUSE_KINDS)
+        .map(clause)
+      : [],
+    range: range(node),
+  };
+}
+
+/**
+ * @param {import("tree-sitter").SyntaxNode} node
+ * @param {import("tree-sitter").SyntaxNode[]} nodes
+ */
+function collectFunctions(node, nodes) {
+  if (FUNCTION_TYPES.includes(node.type)) {
+    nodes.push(node);
+  }
+  for (const child of node.namedChildren) {
+    collectFunctions(child, nodes);
+  }
+  return nodes;
+}
+
+/**
+ * Returns one contract record per function in the tree, in source order.
+ *
+ * @param {import("tree-sitter").Tree | import("tree-sitter").SyntaxNode} tree
+ */
+function extractContracts(tree) {
+  const root = "rootNode" in tree ? tree.rootNode : tree;
+  return collectFunctions(root, []).map(contract);
+}
+
+module.exports = {
+  extractContracts,
+};
@@ -0,0 +1,50 @@
+const assert = require("node:assert");
+const { test } = require("node:test");
+
+const Parser = require("tree-sitter");
+const { extractContracts } = require("./contracts");
+
+const source = `
+verus! {
+pub open spec fn double(x: int) -> int {
+    x * 2
+}
+
+proof fn lemma_double(x: nat, tracked t: Token) -> (r: int)
+    requires
+        x > 0,
+    ensures
+        r == double(x as int),
+    decreases x when x > 0 via lemma_double_decreases
+{
+    x as int * 2
+}
+}
+`;
+
+test("extracts function contracts", () => {
+  const parser = new Parser();
+  parser.setLanguage(require("."));
+  const contracts = extractContracts(parser.parse(source));
+
+  assert.deepStrictEqual(contracts.map((c) => [c.name, c.mode, c.publish]), [
+    ["double", "spec", "open"],
+    ["lemma_double", "proof", null],
+  ]);
+
+  const lemma = contracts[1];
+  assert.deepStrictEqual(lemma.parameters.map((p) => [p.pattern, p.type, p.mode]), [
+    ["x", "nat", null],
+    ["t", "Token", "tracked"],
+  ]);
+  assert.strictEqual(lemma.returnName, "r");
+  assert.strictEqual(lemma.returnType, "int");
+  assert.deepStrictEqual(lemma.clauses.map((c) => c.kind), ["requires", "ensures", "decreases"]);
+  assert.deepStrictEqual(lemma.clauses[0].expressions.map((e) => e.text), ["x > 0"]);
+
+  const decreases = lemma.clauses[2];
+  assert.deepStrictEqual(decreases.expressions.map((e) => e.text), ["x"]);
+  assert.strictEqual(decreases.when.text, "x > 0");
+  assert.strictEqual(decreases.via.text, "lemma_double_decreases");
+  assert.strictEqual(source.slice(decreases.via.range.startIndex, decreases.via.range.endIndex), "lemma_double_decreases");
+});
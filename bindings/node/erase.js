@@ -0,0 +1,209 @@
+/**
+ * Erases Verus ghost code from a parsed tree, leaving the exec-only source.
+ */
+
+// Declarations that only exist for verification
+const GHOST_DECLARATION_TYPES = [
+  "assume_specification_item",
+  "broadcast_group",
+  "broadcast_use",
+  "global_item",
+  "reveal_statement",
+  "hide_statement",
+];
+
+// Declarations that are ghost when their function_mode is spec or proof
+const MODED_DECLARATION_TYPES = ["function_item", "function_signature_item", "const_item", "static_item"];
+
+// Functions without a body that only exist for verification
+const TRUSTED_FUNCTION_KEYWORDS = ["axiom", "uninterp"];
+
+// Parameters whose ghost or tracked mode is dropped, including closure parameters
+const MODED_PARAMETER_TYPES = ["parameter", "self_parameter"];
+
+const GHOST_EXPRESSION_TYPES = [
+  "proof_block",
+  "assert_expression",
+  "assume_expression",
+  "assert_by_expression",
+  "assert_by_block_expression",
+  "assert_forall_expression",
+];
+
+const INLINE_WHITESPACE = [" ", "\t", "\r"];
+
+/**
+ * @typedef {Object} Segment
+ * @property {number} generated Start byte offset in the erased text
+ * @property {number} original Start byte offset in the original source
+ * @property {number} length Length of the copied text in bytes
+ */
+
+/**
+ * @param {import("tree-sitter").SyntaxNode} node
+ */
+function isGhostDeclaration(node) {
+  if (GHOST_DECLARATION_TYPES.includes(node.type)) {
+    return true;
+  }
+  if (node.type === "function_signature_item" && node.children.some((child) => TRUSTED_FUNCTION_KEYWORDS.includes(child.type))) {
+    return true;
+  }
+  if (MODED_DECLARATION_TYPES.includes(node.type)) {
+    const mode = node.namedChildren.find((child) => child.type === "function_mode");
+    return mode !== undefined && mode.text !== "exec";
+  }
+  if (node.type === "let_declaration") {
+    return node.childForFieldName("mode") !== null;
+  }
+  return false;
+}
+
+/**
+ * Widens a removal to whole lines when nothing else is left on them.
+ *
+ * @param {string} source
+ * @param {number} start
+ * @param {number} end
+ */
+function removal(source, start, end) {
+  let lineStart = start;
+  while (lineStart > 0 && INLINE_WHITESPACE.includes(source[lineStart - 1])) {
+    lineStart--;
+  }
+  let lineEnd = end;
+  while (lineEnd < source.length && INLINE_WHITESPACE.includes(source[lineEnd])) {
+    lineEnd++;
+  }
+
+  const atLineStart = lineStart === 0 || source[lineStart - 1] === "\n";
+  const atLineEnd = lineEnd === source.length || source[lineEnd] === "\n";
+  if (atLineStart && atLineEnd) {
+    return { start: lineStart, end: Math.min(lineEnd + 1, source.length) };
+  }
+  return { start, end };
+}
+
+/**
+ * @param {import("tree-sitter").SyntaxNode} node
+ * @param {string} source
+ * @param {{ start: number, end: number }[]} removals
+ */
+function collectRemovals(node, source, removals) {
+  if (node.type === "declaration_with_attrs" && isGhostDeclaration(node.namedChildren[node.namedChildCount - 1])) {
+    removals.push(removal(source, node.startIndex, node.endIndex));
+    return removals;
+  }
+
+  if (GHOST_EXPRESSION_TYPES.includes(node.type)) {
+    const target = node.parent && node.parent.type === "expression_statement" ? node.parent : node;
+    removals.push(removal(source, target.startIndex, target.endIndex));
+    return removals;
+  }
+
+  if (node.type === "fn_qualifier" || node.type === "loop_spec") {
+    removals.push(removal(source, node.startIndex, node.endIndex));
+    return removals;
+  }
+
+  if (node.type === "for_expression") {
+    // for x in iter: 0..end becomes for x in 0..end
+    const iterator = node.childForFieldName("iterator");
+    if (iterator) {
+      removals.push({ start: iterator.startIndex, end: node.childForFieldName("value").startIndex });
+    }
+  }
+
+  if (MODED_PARAMETER_TYPES.includes(node.type)) {
+    // tracked t: T becomes t: T
+    const mode = node.childForFieldName("mode");
+    if (mode) {
+      removals.push({ start: mode.startIndex, end: mode.nextSibling.startIndex });
+    }
+  }
+
+  if (node.type === "named_return_type") {
+    // -> (tracked r: T) becomes -> T
+    const type = node.namedChildren[node.namedChildCount - 1];
+    removals.push({ start: node.startIndex, end: type.startIndex });
+    removals.push({ start: type.endIndex, end: node.endIndex });
+  }
+
+  for (const child of node.namedChildren) {
+    collectRemovals(child, source, removals);
+  }
+  return removals;
+}
+
+/**
+ * Removes spec, proof, axiom and uninterp items, specification clauses,
+ * proof blocks, assertions, ghost/tracked lets and parameter modes from
+ * `source`, which must be the text `tree` was parsed from.
+ *
+ * Returns the erased text together with the segments of `source` it was
+ * copied from. Offsets in the map are UTF-8 byte offsets.
+ *
+ * @param {import("tree-sitter").Tree} tree
+ * @param {string} source
+ * @returns {{ text: string, map: Segment[] }}
+ */
+function eraseGhostCode(tree, source) {
+  const removals = collectRemovals(tree.rootNode, source, [])
+    .filter(({ start, end }) => start < end)
+    .sort((a, b) => a.start - b.start);
+
+  let text = "";
+  const map = [];
+  let cursor = 0;
+  let originalByte = 0;
+  let generatedByte = 0;
+  const advance = (end, keep) => {
+    if (end <= cursor) {
+      return;
+    }
+    const segment = source.slice(cursor, end);
+    const length = Buffer.byteLength(segment);
+    if (keep) {
+      map.push({ generated: generatedByte, original: originalByte, length });
+      text += segment;
+      generatedByte += length;
+    }
+    cursor = end;
+    originalByte += length;
+  };
+
+  for (const { start, end } of removals) {
+    advance(start, true);
+    advance(end, false);
+  }
+  advance(source.length, true);
+
+  return { text, map };
+}
+
+/**
+ * Maps a byte offset in the erased text back to the original source.
+ *
+ * @param {Segment[]} map
+ * @param {number} offset
+ * @returns {number | null}
+ */
+function toOriginalOffset(map, offset) {
+  for (const segment of map) {
+    if (offset >= segment.generated && offset < segment.generated + segment.length) {
+      return segment.original + offset - segment.generated;
+    }
+  }
+
+  // The end of the erased text
+  const last = map[map.length - 1];
+  if (last && offset === last.generated + last.length) {
+    return last.original + last.length;
+  }
+  return null;
+}
+
+module.exports = {
+  eraseGhostCode,
+  toOriginalOffset,
+};
@@ -0,0 +1,119 @@
+const assert = require("node:assert");
+const { test } = require("node:test");
+
+const Parser = require("tree-sitter");
+const { eraseGhostCode, toOriginalOffset } = require("./erase");
+
+const source = `spec fn double(x: int) -> int {
+    x * 2
+}
+
+fn sum(v: &Vec<u32>) -> (r: u64)
+    requires
+        v.len() < 100,
+    ensures
+        r >= 0,
+{
+    let ghost n = v.len();
+    let mut r: u64 = 0;
+    let mut i = 0;
+    while i < v.len()
+        invariant
+            i <= v.len(),
+    {
+        proof { assert(i < n); }
+        r = r + v[i] as u64;
+        i = i + 1;
+    }
+    assert(r >= 0);
+    r
+}
+`;
+
+const expected = `
+fn sum(v: &Vec<u32>) -> u64
+{
+    let mut r: u64 = 0;
+    let mut i = 0;
+    while i < v.len()
+    {
+        r = r + v[i] as u64;
+        i = i + 1;
+    }
+    r
+}
+`;
+
+test("erases ghost code", () => {
+  const parser = new Parser();
+  parser.setLanguage(require("."));
+  const { text, map } = eraseGhostCode(parser.parse(source), source);
+
+  assert.strictEqual(text, expected);
+
+  const offset = text.indexOf("r = r + v[i]");
+  assert.strictEqual(toOriginalOffset(map, offset), source.indexOf("r = r + v[i]"));
+  assert.strictEqual(toOriginalOffset(map, text.length), source.length);
+});
+
+test("erases ghost iterator names", () => {
+  const loop = `fn f(end: usize) {
+    for x in iter: 0..end
+        invariant
+            iter.cur <= end,
+    {
+    }
+}
+`;
+  const parser = new Parser();
+  parser.setLanguage(require("."));
+  const { text } = eraseGhostCode(parser.parse(loop), loop);
+
+  assert.strictEqual(text, `fn f(end: usize) {
+    for x in 0..end
+    {
+    }
+}
+`);
+});
+
+test("erases parameter modes and axioms", () => {
+  const items = `axiom fn f_nonneg(x: int)
+    ensures f(x) >= 0;
+
+fn consume(tracked t: Token, n: u64) {
+    let g = |tracked p: Perm| p;
+}
+`;
+  const parser = new Parser();
+  parser.setLanguage(require("."));
+  const { text } = eraseGhostCode(parser.parse(items), items);
+
+  assert.strictEqual(text, `
+fn consume(t: Token, n: u64) {
+    let g = |p: Perm| p;
+}
+`);
+});
+
+test("maps byte offsets past multi-byte characters", () => {
+  const unicode = `fn f() {
+    let s = "é";
+    assert(s.len() == 2);
+    g(s);
+}
+`;
+  const parser = new Parser();
+  parser.setLanguage(require("."));
+  const { text, map } = eraseGhostCode(parser.parse(unicode), unicode);
+
+  assert.strictEqual(text, `fn f() {
+    let s = "é";
+    g(s);
+}
+`);
+
+  const offset = Buffer.byteLength(text.slice(0, text.indexOf("g(s)")));
+  assert.strictEqual(toOriginalOffset(map, offset), Buffer.byteLength(unicode.slice(0, unicode.indexOf("g(s)"))));
+  assert.strictEqual(toOriginalOffset(map, Buffer.byteLength(text)), Buffer.byteLength(unicode));
+});
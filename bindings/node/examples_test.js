@@ -0,0 +1,68 @@
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const { test } = require("node:test");
+
+const Parser = require("tree-sitter");
+
+const ROOT = path.join(__dirname, "..", "..");
+
+// Real-world inputs that must parse without ERROR or MISSING nodes
+const EXAMPLE_DIRS = ["examples", path.join("test", "examples")];
+
+/**
+ * @param {string} dir
+ * @returns {string[]}
+ */
+function exampleFiles(dir) {
+  const absolute = path.join(ROOT, dir);
+  if (!fs.existsSync(absolute)) {
+    return [];
+  }
+  return fs.readdirSync(absolute)
+    .filter((name) => name.endsWith(".rs"))
+    .sort()
+    .map((name) => path.join(dir, name));
+}
+
+/**
+ * @param {import("tree-sitter").SyntaxNode} node
+ * @param {import("tree-sitter").SyntaxNode[]} nodes
+ */
+function collectErrors(node, nodes) {
+  if (node.isError || node.isMissing) {
+    nodes.push(node);
+    return nodes;
+  }
+  if (node.hasError) {
+    for (const child of node.children) {
+      collectErrors(child, nodes);
+    }
+  }
+  return nodes;
+}
+
+/**
+ * @param {string} file
+ * @param {string[]} lines
+ * @param {import("tree-sitter").SyntaxNode} node
+ */
+function describe(file, lines, node) {
+  const { row, column } = node.startPosition;
+  const kind = node.isMissing ? `MISSING ${node.type}` : "ERROR";
+  const line = lines[row] || "";
+  return `${file}:${row + 1}:${column + 1}: ${kind}\n    ${line}\n    ${" ".repeat(column)}^`;
+}
+
+for (const file of EXAMPLE_DIRS.flatMap(exampleFiles)) {
+  test(`parses ${file} without errors`, () => {
+    const source = fs.readFileSync(path.join(ROOT, file), "utf8");
+    const parser = new Parser();
+    parser.setLanguage(require("."));
+    const tree = parser.parse(source);
+
+    const lines = source.split("\n");
+    const errors = collectErrors(tree.rootNode, []).map((node) => describe(file, lines, node));
+    assert.ok(errors.length === 0, `${errors.length} parse error(s):\n${errors.join("\n")}`);
+  });
+}
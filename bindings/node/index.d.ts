@@ -1,3 +1,5 @@
+import type * as NodeTypes from "./node-types";
+
 type BaseNode = {
   type: string;
   named: boolean;
@@ -22,7 +24,16 @@ type Language = {
   name: string;
   language: unknown;
   nodeTypeInfo: NodeInfo[];
+  NodeKinds?: NodeTypes.NodeKinds;
 };
 
 declare const language: Language;
+
+declare namespace language {
+  export type NodeType = NodeTypes.NodeType;
+  export type AnonymousNodeType = NodeTypes.AnonymousNodeType;
+  export type NodeFields = NodeTypes.NodeFields;
+  export type FieldName<T extends NodeType> = NodeTypes.FieldName<T>;
+}
+
 export = language;
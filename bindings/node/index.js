@@ -3,9 +3,14 @@ const root = require("path").join(__dirname, "..", "..");
 module.exports =
   typeof process.versions.bun === "string"
     // Support `bun build --compile` by being statically analyzable enough to find the .node file at build-time
-    ? require(`../../prebuilds/${process.platform}-${process.arch}/tree-sitter-rust.node`)
+    ? require(`../../prebuilds/${process.platform}-${process.arch}/tree-sitter-verus.node`)
     : require("node-gyp-build")(root);
 
 try {
   module.exports.nodeTypeInfo = require("../../src/node-types.json");
+  module.exports.NodeKinds = Object.freeze(Object.fromEntries(
+    module.exports.nodeTypeInfo
+      .filter((node) => node.named)
+      .map((node) => [node.type, node.type]),
+  ));
 } catch (_) {}
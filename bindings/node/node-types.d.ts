@@ -0,0 +1,710 @@
+// Generated by script/generate-node-types.js from src/node-types.json. Do not edit.
+
+/** Named node types, including supertypes such as `_expression` */
+export type NodeType =
+  | "_declaration_statement"
+  | "_expression"
+  | "_literal"
+  | "_literal_pattern"
+  | "_pattern"
+  | "_type"
+  | "abstract_type"
+  | "arguments"
+  | "array_expression"
+  | "array_type"
+  | "arrow_expression"
+  | "assert_by_block_expression"
+  | "assert_by_expression"
+  | "assert_expression"
+  | "assert_forall_expression"
+  | "assert_macro_call"
+  | "assignment_expression"
+  | "associated_type"
+  | "assume_expression"
+  | "assume_specification_item"
+  | "async_block"
+  | "attribute"
+  | "attribute_expression"
+  | "attribute_item"
+  | "await_expression"
+  | "base_field_initializer"
+  | "big_and_expression"
+  | "big_or_expression"
+  | "binary_expression"
+  | "block"
+  | "block_comment"
+  | "boolean_literal"
+  | "bounded_type"
+  | "bracketed_type"
+  | "break_expression"
+  | "broadcast_group"
+  | "broadcast_group_list"
+  | "broadcast_use"
+  | "calc_expression"
+  | "calc_relation"
+  | "calc_step"
+  | "call_expression"
+  | "captured_pattern"
+  | "char_literal"
+  | "closure_expression"
+  | "closure_parameters"
+  | "compound_assignment_expr"
+  | "const_assign_or_spec"
+  | "const_block"
+  | "const_item"
+  | "const_parameter"
+  | "continue_expression"
+  | "crate"
+  | "data_mode"
+  | "declaration_list"
+  | "declaration_with_attrs"
+  | "decreases_clause"
+  | "doc_comment"
+  | "dynamic_type"
+  | "else_clause"
+  | "empty_statement"
+  | "ensures_clause"
+  | "enum_item"
+  | "enum_variant"
+  | "enum_variant_list"
+  | "escape_sequence"
+  | "expression_statement"
+  | "extern_crate_declaration"
+  | "extern_modifier"
+  | "field_declaration"
+  | "field_declaration_list"
+  | "field_expression"
+  | "field_identifier"
+  | "field_initializer"
+  | "field_initializer_list"
+  | "field_pattern"
+  | "float_literal"
+  | "fn_qualifier"
+  | "for_expression"
+  | "for_lifetimes"
+  | "foreign_mod_item"
+  | "fragment_specifier"
+  | "function_item"
+  | "function_mode"
+  | "function_modifiers"
+  | "function_signature_item"
+  | "function_type"
+  | "gen_block"
+  | "generic_function"
+  | "generic_pattern"
+  | "generic_type"
+  | "generic_type_with_turbofish"
+  | "ghost_wrapper"
+  | "global_item"
+  | "global_layout"
+  | "global_sizeof"
+  | "has_expression"
+  | "hide_statement"
+  | "higher_ranked_trait_bound"
+  | "identifier"
+  | "if_expression"
+  | "impl_item"
+  | "index_expression"
+  | "inductive_lemma"
+  | "init_statement"
+  | "inner_attribute_item"
+  | "inner_doc_comment_marker"
+  | "integer_literal"
+  | "invariant_clause"
+  | "invariant_ensures_clause"
+  | "invariant_except_break_clause"
+  | "is_expression"
+  | "label"
+  | "let_chain"
+  | "let_condition"
+  | "let_declaration"
+  | "lifetime"
+  | "lifetime_parameter"
+  | "line_comment"
+  | "loop_expression"
+  | "loop_spec"
+  | "macro_definition"
+  | "macro_invocation"
+  | "macro_rule"
+  | "map_entry"
+  | "map_literal"
+  | "map_operand"
+  | "match_arm"
+  | "match_block"
+  | "match_expression"
+  | "match_pattern"
+  | "matches_expression"
+  | "metavariable"
+  | "mod_item"
+  | "multiset_operand"
+  | "mut_pattern"
+  | "mutable_specifier"
+  | "named_return_type"
+  | "negative_literal"
+  | "never_type"
+  | "no_unwind_clause"
+  | "open_invariant_expression"
+  | "opens_invariants_clause"
+  | "or_pattern"
+  | "ordered_field_declaration_list"
+  | "outer_doc_comment_marker"
+  | "parameter"
+  | "parameters"
+  | "parenthesized_expression"
+  | "pointer_type"
+  | "primitive_type"
+  | "proof_block"
+  | "proof_fn_options"
+  | "proof_fn_type"
+  | "prover"
+  | "publish"
+  | "qualified_type"
+  | "quantifier_expression"
+  | "range_expression"
+  | "range_pattern"
+  | "raw_string_literal"
+  | "recommends_clause"
+  | "ref_pattern"
+  | "reference_expression"
+  | "reference_pattern"
+  | "reference_type"
+  | "remaining_field_pattern"
+  | "removed_trait_bound"
+  | "require_statement"
+  | "requires_clause"
+  | "return_expression"
+  | "returns_clause"
+  | "reveal_statement"
+  | "scoped_identifier"
+  | "scoped_type_identifier"
+  | "scoped_use_list"
+  | "self"
+  | "self_parameter"
+  | "seq_literal"
+  | "set_literal"
+  | "sharding_attribute"
+  | "shebang"
+  | "shorthand_field_identifier"
+  | "shorthand_field_initializer"
+  | "slice_pattern"
+  | "source_file"
+  | "spec_fn_type"
+  | "special_op_statement"
+  | "state_machine_body"
+  | "state_machine_field"
+  | "state_machine_fields"
+  | "state_machine_item"
+  | "static_item"
+  | "string_content"
+  | "string_literal"
+  | "struct_expression"
+  | "struct_item"
+  | "struct_pattern"
+  | "super"
+  | "token_binding_pattern"
+  | "token_repetition"
+  | "token_repetition_pattern"
+  | "token_tree"
+  | "token_tree_pattern"
+  | "tracked_wrapper"
+  | "trait_bounds"
+  | "trait_item"
+  | "transition_assert"
+  | "transition_block"
+  | "transition_if"
+  | "transition_item"
+  | "transition_kind"
+  | "transition_let"
+  | "trigger_attribute"
+  | "try_block"
+  | "try_expression"
+  | "tuple_expression"
+  | "tuple_pattern"
+  | "tuple_struct_pattern"
+  | "tuple_type"
+  | "type_arguments"
+  | "type_binding"
+  | "type_cast_expression"
+  | "type_identifier"
+  | "type_item"
+  | "type_parameter"
+  | "type_parameters"
+  | "unary_expression"
+  | "union_item"
+  | "unit_expression"
+  | "unit_type"
+  | "unsafe_block"
+  | "update_statement"
+  | "use_as_clause"
+  | "use_bounds"
+  | "use_declaration"
+  | "use_list"
+  | "use_wildcard"
+  | "variadic_parameter"
+  | "verifier_attribute"
+  | "verus_block"
+  | "view_expression"
+  | "visibility_modifier"
+  | "where_clause"
+  | "where_predicate"
+  | "while_expression"
+  | "yield_expression";
+
+/** Anonymous node types (keywords and punctuation) */
+export type AnonymousNodeType =
+  | "!"
+  | "!="
+  | "!=="
+  | "!has"
+  | "!is"
+  | "\""
+  | "#"
+  | "$"
+  | "%"
+  | "%="
+  | "&"
+  | "&&"
+  | "&&&"
+  | "&="
+  | "'"
+  | "("
+  | ")"
+  | "*"
+  | "*/"
+  | "*="
+  | "+"
+  | "+="
+  | ","
+  | "-"
+  | "-="
+  | "->"
+  | "."
+  | ".."
+  | "..."
+  | "..="
+  | "/"
+  | "/*"
+  | "//"
+  | "/="
+  | ":"
+  | "::"
+  | ";"
+  | "<"
+  | "<<"
+  | "<<="
+  | "<="
+  | "<=="
+  | "<==>"
+  | "="
+  | "=="
+  | "==="
+  | "==>"
+  | "=>"
+  | "=~="
+  | "=~~="
+  | ">"
+  | ">="
+  | ">>"
+  | ">>="
+  | "?"
+  | "@"
+  | "FnSpec"
+  | "Ghost"
+  | "Tracked"
+  | "["
+  | "]"
+  | "^"
+  | "^="
+  | "_"
+  | "add"
+  | "any"
+  | "as"
+  | "assert"
+  | "assume"
+  | "assume_specification"
+  | "async"
+  | "auto"
+  | "await"
+  | "axiom"
+  | "birds_eye"
+  | "block"
+  | "break"
+  | "broadcast"
+  | "by"
+  | "calc"
+  | "cfg_attr"
+  | "checked"
+  | "choose"
+  | "closed"
+  | "const"
+  | "continue"
+  | "decreases"
+  | "default"
+  | "deposit"
+  | "dyn"
+  | "else"
+  | "ensures"
+  | "enum"
+  | "exec"
+  | "exists"
+  | "expr"
+  | "extern"
+  | "false"
+  | "fields"
+  | "fn"
+  | "for"
+  | "forall"
+  | "gen"
+  | "ghost"
+  | "global"
+  | "group"
+  | "guard"
+  | "has"
+  | "have"
+  | "hide"
+  | "ident"
+  | "if"
+  | "impl"
+  | "implies"
+  | "in"
+  | "inductive"
+  | "init"
+  | "invariant"
+  | "invariant_ensures"
+  | "invariant_except_break"
+  | "is"
+  | "item"
+  | "layout"
+  | "let"
+  | "lifetime"
+  | "literal"
+  | "loop"
+  | "macro_rules!"
+  | "map!"
+  | "match"
+  | "matches"
+  | "meta"
+  | "mod"
+  | "move"
+  | "no_unwind"
+  | "none"
+  | "open"
+  | "open_atomic_invariant!"
+  | "open_atomic_invariant_in_proof!"
+  | "open_local_invariant!"
+  | "open_local_invariant_in_proof!"
+  | "opens_invariants"
+  | "pat"
+  | "path"
+  | "proof"
+  | "proof_fn"
+  | "property"
+  | "pub"
+  | "raw"
+  | "readonly"
+  | "recommends"
+  | "ref"
+  | "remove"
+  | "require"
+  | "requires"
+  | "return"
+  | "returns"
+  | "reveal"
+  | "reveal_with_fuel"
+  | "seq"
+  | "seq!"
+  | "set!"
+  | "sharding"
+  | "size_of"
+  | "spec"
+  | "spec_fn"
+  | "state_machine!"
+  | "static"
+  | "stmt"
+  | "struct"
+  | "tokenized_state_machine!"
+  | "tracked"
+  | "trait"
+  | "transition"
+  | "trigger"
+  | "true"
+  | "try"
+  | "tt"
+  | "ty"
+  | "type"
+  | "uninterp"
+  | "union"
+  | "unsafe"
+  | "update"
+  | "use"
+  | "verifier"
+  | "verus"
+  | "verus_keep_ghost"
+  | "via"
+  | "vis"
+  | "when"
+  | "where"
+  | "while"
+  | "withdraw"
+  | "yield"
+  | "{"
+  | "|"
+  | "|="
+  | "||"
+  | "|||"
+  | "}";
+
+/** Field names of each named node type */
+export interface NodeFields {
+  _declaration_statement: never;
+  _expression: never;
+  _literal: never;
+  _literal_pattern: never;
+  _pattern: never;
+  _type: never;
+  abstract_type: "trait";
+  arguments: never;
+  array_expression: "length";
+  array_type: "element" | "length";
+  arrow_expression: "field" | "value";
+  assert_by_block_expression: never;
+  assert_by_expression: never;
+  assert_expression: never;
+  assert_forall_expression: "body" | "parameters";
+  assert_macro_call: never;
+  assignment_expression: "left" | "right";
+  associated_type: "bounds" | "name" | "type_parameters";
+  assume_expression: never;
+  assume_specification_item: "parameters" | "return_type" | "target";
+  async_block: never;
+  attribute: "arguments" | "value";
+  attribute_expression: never;
+  attribute_item: never;
+  await_expression: never;
+  base_field_initializer: never;
+  big_and_expression: never;
+  big_or_expression: never;
+  binary_expression: "left" | "operator" | "right";
+  block: never;
+  block_comment: "doc" | "inner" | "outer";
+  boolean_literal: never;
+  bounded_type: never;
+  bracketed_type: never;
+  break_expression: never;
+  broadcast_group: "members" | "name";
+  broadcast_group_list: never;
+  broadcast_use: never;
+  calc_expression: "relation" | "step";
+  calc_relation: "operator";
+  calc_step: "proof" | "relation" | "value";
+  call_expression: "arguments" | "function";
+  captured_pattern: never;
+  char_literal: never;
+  closure_expression: "body" | "parameters" | "return_type";
+  closure_parameters: never;
+  compound_assignment_expr: "left" | "operator" | "right";
+  const_assign_or_spec: "value";
+  const_block: "body";
+  const_item: "name" | "type";
+  const_parameter: "name" | "type" | "value";
+  continue_expression: never;
+  crate: never;
+  data_mode: never;
+  declaration_list: never;
+  declaration_with_attrs: never;
+  decreases_clause: "measure" | "via" | "when";
+  doc_comment: never;
+  dynamic_type: "trait";
+  else_clause: never;
+  empty_statement: never;
+  ensures_clause: "condition";
+  enum_item: "body" | "name" | "type_parameters";
+  enum_variant: "body" | "name" | "value";
+  enum_variant_list: never;
+  escape_sequence: never;
+  expression_statement: never;
+  extern_crate_declaration: "alias" | "name";
+  extern_modifier: never;
+  field_declaration: "name" | "type";
+  field_declaration_list: never;
+  field_expression: "field" | "value";
+  field_identifier: never;
+  field_initializer: "field" | "value";
+  field_initializer_list: never;
+  field_pattern: "name" | "pattern";
+  float_literal: never;
+  fn_qualifier: never;
+  for_expression: "body" | "iterator" | "pattern" | "spec" | "value";
+  for_lifetimes: never;
+  foreign_mod_item: "body";
+  fragment_specifier: never;
+  function_item: "body" | "name" | "parameters" | "return_type" | "type_parameters";
+  function_mode: never;
+  function_modifiers: never;
+  function_signature_item: "name" | "parameters" | "return_type" | "type_parameters";
+  function_type: "parameters" | "return_type" | "trait";
+  gen_block: never;
+  generic_function: "function" | "type_arguments";
+  generic_pattern: "type_arguments";
+  generic_type: "type" | "type_arguments";
+  generic_type_with_turbofish: "type" | "type_arguments";
+  ghost_wrapper: "value";
+  global_item: never;
+  global_layout: never;
+  global_sizeof: never;
+  has_expression: "collection" | "element";
+  hide_statement: "target";
+  higher_ranked_trait_bound: "type" | "type_parameters";
+  identifier: never;
+  if_expression: "alternative" | "condition" | "consequence";
+  impl_item: "body" | "trait" | "type" | "type_parameters";
+  index_expression: never;
+  inductive_lemma: "lemma" | "transition";
+  init_statement: "field" | "value";
+  inner_attribute_item: never;
+  inner_doc_comment_marker: never;
+  integer_literal: never;
+  invariant_clause: "condition";
+  invariant_ensures_clause: "condition";
+  invariant_except_break_clause: "condition";
+  is_expression: "value" | "variant";
+  label: never;
+  let_chain: never;
+  let_condition: "pattern" | "value";
+  let_declaration: "alternative" | "mode" | "pattern" | "type" | "value";
+  lifetime: never;
+  lifetime_parameter: "bounds" | "name";
+  line_comment: "doc" | "inner" | "outer";
+  loop_expression: "body" | "spec";
+  loop_spec: never;
+  macro_definition: "name";
+  macro_invocation: "macro";
+  macro_rule: "left" | "right";
+  map_entry: "key" | "value";
+  map_literal: never;
+  map_operand: "key" | "pattern" | "value";
+  match_arm: "pattern" | "value";
+  match_block: never;
+  match_expression: "body" | "value";
+  match_pattern: "condition";
+  matches_expression: "pattern" | "value";
+  metavariable: never;
+  mod_item: "body" | "name";
+  multiset_operand: "element";
+  mut_pattern: never;
+  mutable_specifier: never;
+  named_return_type: never;
+  negative_literal: never;
+  never_type: never;
+  no_unwind_clause: "when";
+  open_invariant_expression: "body" | "invariant" | "mode" | "pattern";
+  opens_invariants_clause: "invariant";
+  or_pattern: never;
+  ordered_field_declaration_list: "type";
+  outer_doc_comment_marker: never;
+  parameter: "mode" | "pattern" | "type";
+  parameters: never;
+  parenthesized_expression: never;
+  pointer_type: "type";
+  primitive_type: never;
+  proof_block: never;
+  proof_fn_options: never;
+  proof_fn_type: "options" | "parameters" | "return_type";
+  prover: never;
+  publish: never;
+  qualified_type: "alias" | "type";
+  quantifier_expression: "body" | "return_type";
+  range_expression: never;
+  range_pattern: "left" | "right";
+  raw_string_literal: never;
+  recommends_clause: "condition" | "via";
+  ref_pattern: never;
+  reference_expression: "value";
+  reference_pattern: never;
+  reference_type: "type";
+  remaining_field_pattern: never;
+  removed_trait_bound: never;
+  require_statement: "condition";
+  requires_clause: "condition";
+  return_expression: never;
+  returns_clause: "value";
+  reveal_statement: "fuel" | "target";
+  scoped_identifier: "name" | "path";
+  scoped_type_identifier: "name" | "path";
+  scoped_use_list: "list" | "path";
+  self: never;
+  self_parameter: "mode";
+  seq_literal: never;
+  set_literal: never;
+  sharding_attribute: "strategy";
+  shebang: never;
+  shorthand_field_identifier: never;
+  shorthand_field_initializer: never;
+  slice_pattern: never;
+  source_file: never;
+  spec_fn_type: "parameters" | "return_type";
+  special_op_statement: "field" | "operation" | "proof" | "value";
+  state_machine_body: never;
+  state_machine_field: "name" | "sharding" | "type";
+  state_machine_fields: never;
+  state_machine_item: "body" | "name" | "type_parameters";
+  static_item: "name" | "type";
+  string_content: never;
+  string_literal: never;
+  struct_expression: "body" | "name";
+  struct_item: "body" | "name" | "type_parameters";
+  struct_pattern: "type";
+  super: never;
+  token_binding_pattern: "name" | "type";
+  token_repetition: never;
+  token_repetition_pattern: never;
+  token_tree: never;
+  token_tree_pattern: never;
+  tracked_wrapper: "value";
+  trait_bounds: never;
+  trait_item: "body" | "bounds" | "name" | "type_parameters";
+  transition_assert: "condition" | "proof";
+  transition_block: never;
+  transition_if: "alternative" | "condition" | "consequence";
+  transition_item: "body" | "kind" | "name" | "parameters";
+  transition_kind: never;
+  transition_let: "pattern" | "type" | "value";
+  trigger_attribute: never;
+  try_block: never;
+  try_expression: never;
+  tuple_expression: never;
+  tuple_pattern: never;
+  tuple_struct_pattern: "type";
+  tuple_type: never;
+  type_arguments: never;
+  type_binding: "name" | "type" | "type_arguments";
+  type_cast_expression: "type" | "value";
+  type_identifier: never;
+  type_item: "name" | "type" | "type_parameters";
+  type_parameter: "bounds" | "default_type" | "name";
+  type_parameters: never;
+  unary_expression: never;
+  union_item: "body" | "name" | "type_parameters";
+  unit_expression: never;
+  unit_type: never;
+  unsafe_block: never;
+  update_statement: "field" | "value";
+  use_as_clause: "alias" | "path";
+  use_bounds: never;
+  use_declaration: "argument";
+  use_list: never;
+  use_wildcard: never;
+  variadic_parameter: "pattern";
+  verifier_attribute: "arguments" | "name";
+  verus_block: never;
+  view_expression: "value";
+  visibility_modifier: never;
+  where_clause: never;
+  where_predicate: "bounds" | "left";
+  while_expression: "body" | "condition" | "spec";
+  yield_expression: never;
+}
+
+export type FieldName<T extends NodeType> = NodeFields[T];
+
+export type NodeKinds = { readonly [K in NodeType]: K };
@@ -0,0 +1,14 @@
+const assert = require("node:assert");
+const fs = require("node:fs");
+const { test } = require("node:test");
+
+const { INPUT, OUTPUT, render } = require("../../script/generate-node-types");
+
+test("node-types.d.ts matches src/node-types.json", () => {
+  const nodeTypes = JSON.parse(fs.readFileSync(INPUT, "utf8"));
+  assert.strictEqual(
+    fs.readFileSync(OUTPUT, "utf8"),
+    render(nodeTypes),
+    "bindings/node/node-types.d.ts is stale, run `npm run generate-types`",
+  );
+});
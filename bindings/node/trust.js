@@ -0,0 +1,55 @@
+/**
+ * Runs queries/trust.scm over a parsed tree and reports where trust enters
+ * the verified code.
+ */
+
+const fs = require("node:fs");
+const path = require("node:path");
+const { Query } = require("tree-sitter");
+const { range } = require("./util");
+
+const TRUST_QUERY = fs.readFileSync(
+  path.join(__dirname, "..", "..", "queries", "trust.scm"),
+  "utf8",
+);
+
+const CAPTURE_PREFIX = "trust.";
+
+/** @type {WeakMap<object, Query>} */
+const queries = new WeakMap();
+
+/**
+ * @param {object} language
+ */
+function trustQuery(language) {
+  let query = queries.get(language);
+  if (!query) {
+    query = new Query(language, TRUST_QUERY);
+    queries.set(language, query);
+  }
+  return query;
+}
+
+/**
+ * Returns one finding per trusted construct in the tree, in source order.
+ * `kind` is the capture name without its "trust." prefix, e.g. "assume" or
+ * "external_body".
+ *
+ * @param {import("tree-sitter").Tree} tree
+ */
+function findTrustedCode(tree) {
+  return trustQuery(tree.language)
+    .captures(tree.rootNode)
+    .filter(({ name }) => name.startsWith(CAPTURE_PREFIX))
+    .map(({ name, node }) => ({
+      kind: name.slice(CAPTURE_PREFIX.length),
+      text: node.text,
+      range: range(node),
+    }))
+    .sort((a, b) => a.range.startIndex - b.range.startIndex);
+}
+
+module.exports = {
+  TRUST_QUERY,
+  findTrustedCode,
+};
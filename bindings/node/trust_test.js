@@ -0,0 +1,46 @@
+const assert = require("node:assert");
+const { test } = require("node:test");
+
+const Parser = require("tree-sitter");
+const { findTrustedCode } = require("./trust");
+
+const source = `
+verus! {
+#[verifier::external_body]
+fn opaque() {}
+
+#[verifier(external)]
+fn outside() {}
+
+proof fn p(x: int)
+    by (nonlinear_arith)
+{
+    assume(x > 0);
+    admit();
+    vstd::pervasive::admit();
+}
+
+pub assume_specification [core::mem::drop](x: u8);
+
+global size_of S == 8;
+}
+`;
+
+test("finds trusted code", () => {
+  const parser = new Parser();
+  parser.setLanguage(require("."));
+  const findings = findTrustedCode(parser.parse(source));
+
+  assert.deepStrictEqual(findings.map((f) => f.kind), [
+    "external_body",
+    "external",
+    "prover",
+    "assume",
+    "admit",
+    "admit",
+    "assume_specification",
+    "global",
+  ]);
+  assert.strictEqual(findings[3].text, "assume(x > 0)");
+  assert.strictEqual(findings[3].range.startPosition.row, 11);
+});
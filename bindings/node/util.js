@@ -0,0 +1,17 @@
+/**
+ * Returns the byte and point range of a node.
+ *
+ * @param {import("tree-sitter").SyntaxNode} node
+ */
+function range(node) {
+  return {
+    startIndex: node.startIndex,
+    endIndex: node.endIndex,
+    startPosition: node.startPosition,
+    endPosition: node.endPosition,
+  };
+}
+
+module.exports = {
+  range,
+};
@@ -16,6 +16,8 @@ def __getattr__(name):
         return _get_query("HIGHLIGHTS_QUERY", "highlights.scm")
     if name == "INJECTIONS_QUERY":
         return _get_query("INJECTIONS_QUERY", "injections.scm")
+    if name == "LOCALS_QUERY":
+        return _get_query("LOCALS_QUERY", "locals.scm")
     if name == "TAGS_QUERY":
         return _get_query("TAGS_QUERY", "tags.scm")
 
@@ -26,6 +28,7 @@ __all__ = [
     "language",
     "HIGHLIGHTS_QUERY",
     "INJECTIONS_QUERY",
+    "LOCALS_QUERY",
     "TAGS_QUERY",
 ]
 
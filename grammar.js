@@ -59,7 +59,7 @@ const TOKEN_TREE_NON_SPECIAL_PUNCTUATION = [
 
 // Verus specific operators
 const VERUS_OPERATORS = [
-  // '&&&', '|||',
+  '&&&', '|||',
   '<==>', '==>', '<==', '===', '=~=', '=~~=', '!==',
 ];
 
@@ -113,6 +113,8 @@ module.exports = grammar({
     $._non_special_token,
     $._declaration_statement,
     $._reserved_identifier,
+    $._verus_reserved_identifier,
+    $._verus_reserved_type_identifier,
     $._expression_ending_with_block,
   ],
 
@@ -140,6 +142,10 @@ module.exports = grammar({
     [$.invariant_ensures_clause],
     [$.invariant_except_break_clause],
 
+    // e.g. loop ensures &&& { ... } when a clause entry is a bullet list
+    [$.big_and_expression],
+    [$.big_or_expression],
+
     // e.g. assert forall |x:int| assert(false) by { .. }
     // [$.assert_expression, $.assert_by_expression],
 
@@ -152,6 +158,8 @@ module.exports = grammar({
     // e.g. expr as (fn ... -> int) vs
     // arrow_expression: expr as (fn ...) -> int
     [$.function_type],
+    [$.spec_fn_type],
+    [$.proof_fn_type],
 
     // TODO: Investigate these conflicts (related to matches_expression)
     [$._pattern, $.tuple_struct_pattern],
@@ -162,6 +170,10 @@ module.exports = grammar({
 
     // TODO: These conflict on #![trigger ...] and #[trigger ...]
     [$.attribute_item, $.inner_attribute_item],
+
+    // e.g. hide(f); vs a call to an ordinary hide function, hide(&x);
+    [$.reveal_statement, $._expression_except_range],
+    [$.hide_statement, $._expression_except_range],
   ],
 
   word: $ => $.identifier,
@@ -228,6 +240,9 @@ module.exports = grammar({
       $.broadcast_use,
       $.global_item,
       $.assume_specification_item,
+      $.state_machine_item,
+      $.reveal_statement,
+      $.hide_statement,
     ),
 
     // Section - Macro definitions
@@ -347,7 +362,7 @@ module.exports = grammar({
       seq(
         '#',
         '[',
-        $.attribute,
+        choice($.attribute, $.verifier_attribute, $._verus_cfg_attr),
         ']',
       ),
     ),
@@ -358,17 +373,52 @@ module.exports = grammar({
         '#',
         '!',
         '[',
-        $.attribute,
+        choice($.attribute, $.verifier_attribute, $._verus_cfg_attr),
         ']',
       ),
     ),
 
-    attribute: $ => seq(
-      $._path,
-      optional(choice(
-        seq('=', field('value', $._expression)),
+    attribute: $ => choice(
+      seq(
+        $._path,
+        optional(choice(
+          seq('=', field('value', $._expression)),
+          field('arguments', alias($.delim_token_tree, $.token_tree)),
+        )),
+      ),
+      // cfg_attr is only special-cased for verus_keep_ghost
+      seq(
+        alias('cfg_attr', $.identifier),
         field('arguments', alias($.delim_token_tree, $.token_tree)),
-      )),
+      ),
+    ),
+
+    // Verus - #[verifier::name(...)] and #[verifier(name(...))]
+    verifier_attribute: $ => seq(
+      'verifier',
+      choice(
+        seq(
+          '::',
+          field('name', $.identifier),
+          optional(field('arguments', alias($.delim_token_tree, $.token_tree))),
+        ),
+        seq(
+          '(',
+          field('name', $.identifier),
+          optional(field('arguments', alias($.delim_token_tree, $.token_tree))),
+          ')',
+        ),
+      ),
+    ),
+
+    // #[cfg_attr(verus_keep_ghost, ...)] is unwrapped to the attribute it guards
+    _verus_cfg_attr: $ => seq(
+      'cfg_attr',
+      '(',
+      'verus_keep_ghost',
+      ',',
+      choice($.attribute, $.verifier_attribute),
+      ')',
     ),
 
     mod_item: $ => seq(
@@ -470,6 +520,213 @@ module.exports = grammar({
       ';',
     ),
 
+    // Verus - reveal(f); and reveal_with_fuel(f, n); for opaque definitions
+    reveal_statement: $ => prec.dynamic(1, seq(
+      choice(
+        seq('reveal', '(', field('target', $._path), ')'),
+        seq('reveal_with_fuel', '(', field('target', $._path), ',', field('fuel', $._expression), ')'),
+      ),
+      ';',
+    )),
+
+    // Verus - hide(f);
+    hide_statement: $ => prec.dynamic(1, seq(
+      'hide',
+      '(',
+      field('target', $._path),
+      ')',
+      ';',
+    )),
+
+    // Verus - state_machine! and tokenized_state_machine! definitions
+    state_machine_item: $ => {
+      const definition = seq(
+        field('name', $._type_identifier),
+        field('type_parameters', optional($.type_parameters)),
+        optional($.where_clause),
+        field('body', $.state_machine_body),
+      );
+
+      return seq(
+        choice('state_machine!', 'tokenized_state_machine!'),
+        choice(
+          seq('{', definition, '}'),
+          seq('(', definition, ')', ';'),
+        ),
+      );
+    },
+
+    state_machine_body: $ => seq(
+      '{',
+      repeat(choice(
+        $.state_machine_fields,
+        $.transition_item,
+        $.inductive_lemma,
+        $.declaration_with_attrs,
+      )),
+      '}',
+    ),
+
+    state_machine_fields: $ => seq(
+      'fields',
+      '{',
+      sepBy(',', $.state_machine_field),
+      optional(','),
+      '}',
+    ),
+
+    state_machine_field: $ => seq(
+      repeat(choice(
+        $.attribute_item,
+        field('sharding', $.sharding_attribute),
+      )),
+      optional($.visibility_modifier),
+      field('name', $._field_identifier),
+      ':',
+      field('type', $._type),
+    ),
+
+    // e.g. #[sharding(variable)]
+    sharding_attribute: $ => seq(
+      '#',
+      '[',
+      'sharding',
+      '(',
+      field('strategy', $.identifier),
+      ')',
+      ']',
+    ),
+
+    // init!, transition!, property! and readonly! blocks
+    transition_item: $ => seq(
+      field('kind', $.transition_kind),
+      '!',
+      '{',
+      field('name', $.identifier),
+      field('parameters', $.parameters),
+      field('body', $.transition_block),
+      '}',
+    ),
+
+    transition_kind: _ => choice(
+      'init',
+      'transition',
+      'property',
+      'readonly',
+    ),
+
+    transition_block: $ => seq(
+      '{',
+      repeat($._transition_statement),
+      '}',
+    ),
+
+    _transition_statement: $ => choice(
+      $.transition_let,
+      $.transition_if,
+      $.transition_assert,
+      $.require_statement,
+      $.init_statement,
+      $.update_statement,
+      $.special_op_statement,
+    ),
+
+    transition_let: $ => seq(
+      optional('birds_eye'),
+      'let',
+      field('pattern', $._pattern),
+      optional(seq(
+        ':',
+        field('type', $._type),
+      )),
+      '=',
+      field('value', $._expression),
+      ';',
+    ),
+
+    transition_if: $ => seq(
+      'if',
+      field('condition', $._expression),
+      field('consequence', $.transition_block),
+      optional(seq(
+        'else',
+        field('alternative', choice($.transition_block, $.transition_if)),
+      )),
+    ),
+
+    transition_assert: $ => seq(
+      'assert',
+      field('condition', $._expression),
+      optional(seq('by', field('proof', $.block))),
+      ';',
+    ),
+
+    require_statement: $ => seq(
+      'require',
+      field('condition', $._expression),
+      ';',
+    ),
+
+    init_statement: $ => seq(
+      'init',
+      field('field', $._field_identifier),
+      '=',
+      field('value', $._expression),
+      ';',
+    ),
+
+    update_statement: $ => seq(
+      'update',
+      field('field', $._field_identifier),
+      '=',
+      field('value', $._expression),
+      ';',
+    ),
+
+    // Operations on sharded fields, e.g.
+    // remove tickets -= (1);
+    // have token >= Some(t) by { ... };
+    special_op_statement: $ => seq(
+      field('operation', choice('add', 'remove', 'have', 'deposit', 'withdraw', 'guard')),
+      field('field', $._field_identifier),
+      choice('+=', '-=', '>='),
+      field('value', choice($._expression, $.map_operand, $.multiset_operand)),
+      optional(seq('by', field('proof', $.block))),
+      ';',
+    ),
+
+    // e.g. [k => v] or [k => let v] on a map-sharded field
+    map_operand: $ => seq(
+      '[',
+      field('key', $._expression),
+      '=>',
+      choice(
+        field('value', $._expression),
+        seq('let', field('pattern', $._pattern)),
+      ),
+      ']',
+    ),
+
+    // e.g. { x } on a multiset-sharded field, which would otherwise be a block
+    multiset_operand: $ => prec(1, seq(
+      '{',
+      field('element', $._expression),
+      '}',
+    )),
+
+    // e.g. #[inductive(tr_inc)] fn tr_inc_preserves(pre: Self, post: Self) { ... }
+    inductive_lemma: $ => seq(
+      '#',
+      '[',
+      'inductive',
+      '(',
+      field('transition', $.identifier),
+      ')',
+      ']',
+      repeat($.attribute_item),
+      field('lemma', $.function_item),
+    ),
+
     struct_item: $ => seq(
       optional($.visibility_modifier),
       $verus(optional($.data_mode)),
@@ -672,6 +929,8 @@ module.exports = grammar({
       $verus(optional($.publish)),
       optional($.function_modifiers),
       $verus(optional('broadcast')),
+      // Functions without a body that Verus trusts or leaves uninterpreted
+      $verus(optional(choice('uninterp', 'axiom'))),
       $verus(optional($.function_mode)),
       'fn',
       field('name', choice($.identifier, $.metavariable)),
@@ -828,8 +1087,7 @@ module.exports = grammar({
 
     let_declaration: $ => seq(
       'let',
-      $verus(optional('ghost')),
-      $verus(optional('tracked')),
+      $verus(optional(field('mode', $.data_mode))),
       optional($.mutable_specifier),
       field('pattern', $._pattern),
       optional(seq(
@@ -892,7 +1150,6 @@ module.exports = grammar({
       '(',
       sepBy(',', seq(
         optional($.attribute_item),
-        $verus(optional('tracked')),
         choice(
           $.parameter,
           $.self_parameter,
@@ -905,6 +1162,7 @@ module.exports = grammar({
     ),
 
     self_parameter: $ => seq(
+      $verus(optional(field('mode', $.data_mode))),
       optional('&'),
       optional($.lifetime),
       optional($.mutable_specifier),
@@ -921,6 +1179,7 @@ module.exports = grammar({
     ),
 
     parameter: $ => seq(
+      $verus(optional(field('mode', $.data_mode))),
       optional($.mutable_specifier),
       field('pattern', choice(
         $._pattern,
@@ -967,11 +1226,14 @@ module.exports = grammar({
       $.function_type,
       $._type_identifier,
       $.macro_invocation,
+      $verus($.spec_fn_type),
+      $verus($.proof_fn_type),
       $.never_type,
       $.dynamic_type,
       $.bounded_type,
       $.removed_trait_bound,
       alias(choice(...primitiveTypes, ...$verus(verusPrimitiveTypes)), $.primitive_type),
+      ...$verus([$._verus_reserved_type_identifier]),
     ),
 
     bracketed_type: $ => seq(
@@ -1027,6 +1289,29 @@ module.exports = grammar({
       optional(seq('->', field('return_type', $._type))),
     ),
 
+    // Verus - spec closure types, e.g. spec_fn(int) -> bool
+    // FnSpec is the older spelling of spec_fn
+    spec_fn_type: $ => seq(
+      choice('spec_fn', 'FnSpec'),
+      field('parameters', $.parameters),
+      optional(seq('->', field('return_type', $._type))),
+    ),
+
+    // Verus - proof closure types, e.g. proof_fn[ReqEns<R>, Copy](x: T) -> U
+    proof_fn_type: $ => seq(
+      'proof_fn',
+      optional(field('options', $.proof_fn_options)),
+      field('parameters', $.parameters),
+      optional(seq('->', field('return_type', $._type))),
+    ),
+
+    proof_fn_options: $ => seq(
+      '[',
+      sepBy(',', $._type),
+      optional(','),
+      ']',
+    ),
+
     tuple_type: $ => seq(
       '(',
       sepBy1(',', $._type),
@@ -1041,6 +1326,7 @@ module.exports = grammar({
         $.identifier,
         $.scoped_identifier,
         $.field_expression,
+        ...$verus([$._verus_reserved_identifier]),
       )),
       '::',
       field('type_arguments', $.type_arguments),
@@ -1051,6 +1337,7 @@ module.exports = grammar({
         $._type_identifier,
         $._reserved_identifier,
         $.scoped_type_identifier,
+        ...$verus([$._verus_reserved_type_identifier]),
       )),
       optional('::'),
       field('type_arguments', $.type_arguments),
@@ -1194,10 +1481,20 @@ module.exports = grammar({
         $.assert_expression,
         $.assume_expression,
         $.quantifier_expression,
+        $.seq_literal,
+        $.set_literal,
+        $.map_literal,
+        $.open_invariant_expression,
+        $.ghost_wrapper,
+        $.tracked_wrapper,
 
         // A special case for the original `assert!` macro in Rust
         // TODO: not ideal
         $.assert_macro_call,
+
+        // Ordinary functions that share a name with a Verus keyword,
+        // e.g. hide(&mut window);
+        $._verus_reserved_identifier,
       ]),
     ),
 
@@ -1224,6 +1521,7 @@ module.exports = grammar({
       $.for_expression,
       $.const_block,
       $verus($.proof_block),
+      $verus($.calc_expression),
     ),
 
     // Attaches an attribute to an expression
@@ -1236,8 +1534,9 @@ module.exports = grammar({
       'verus',
       '!',
       choice(
-        // TODO: Allowing only {} for now, but technically should allow () and [] as well.
         seq('{', repeat($._statement), '}'),
+        seq('(', repeat($._statement), ')', ';'),
+        seq('[', repeat($._statement), ']', ';'),
       ),
     ),
 
@@ -1426,7 +1725,7 @@ module.exports = grammar({
 
     parenthesized_expression: $ => seq(
       '(',
-      $._expression,
+      $._spec_expression,
       ')',
     ),
 
@@ -1555,30 +1854,14 @@ module.exports = grammar({
       optional(seq($.label, ':')),
       'while',
       field('condition', $._condition),
-      ...$verus([
-        repeat(choice(
-          $.invariant_clause,
-          $.invariant_ensures_clause,
-          $.invariant_except_break_clause,
-          $.ensures_clause,
-          $.decreases_clause,
-        )),
-      ]),
+      $verus(optional(field('spec', $.loop_spec))),
       field('body', $.block),
     ),
 
     loop_expression: $ => seq(
       optional(seq($.label, ':')),
       'loop',
-      ...$verus([
-        repeat(choice(
-          $.invariant_clause,
-          $.invariant_ensures_clause,
-          $.invariant_except_break_clause,
-          $.ensures_clause,
-          $.decreases_clause,
-        )),
-      ]),
+      $verus(optional(field('spec', $.loop_spec))),
       field('body', $.block),
     ),
 
@@ -1587,20 +1870,26 @@ module.exports = grammar({
       'for',
       field('pattern', $._pattern),
       'in',
+      ...$verus([
+        // Names the ghost iterator, e.g. for x in iter: 0..end
+        optional(seq(field('iterator', $.identifier), ':')),
+      ]),
       field('value', $._expression),
       ...$verus([
-        optional(seq(':', $._expression)),
-        repeat(choice(
-          $.invariant_clause,
-          $.invariant_ensures_clause,
-          $.invariant_except_break_clause,
-          $.ensures_clause,
-          $.decreases_clause,
-        )),
+        optional(field('spec', $.loop_spec)),
       ]),
       field('body', $.block),
     ),
 
+    // Verus loop_spec - used in while, loop and for expressions
+    loop_spec: $ => repeat1(choice(
+      $.invariant_clause,
+      $.invariant_ensures_clause,
+      $.invariant_except_break_clause,
+      $.ensures_clause,
+      $.decreases_clause,
+    )),
+
     const_block: $ => seq(
       'const',
       field('body', $.block),
@@ -1628,11 +1917,18 @@ module.exports = grammar({
       sepBy(',', choice(
         $._pattern,
         $.parameter,
+        $verus(alias($._closure_mode_parameter, $.parameter)),
       )),
       optional(','),
       '|',
     ),
 
+    // Verus - untyped closure parameter with a mode, e.g. `|tracked x|`
+    _closure_mode_parameter: $ => seq(
+      field('mode', $.data_mode),
+      field('pattern', $._pattern),
+    ),
+
     label: $ => seq('\'', $.identifier),
 
     break_expression: $ => prec.left(seq('break', optional($.label), optional($._expression))),
@@ -1700,7 +1996,8 @@ module.exports = grammar({
     ),
 
     // Special handling of Verus &&&/|||
-    // which are only allowed to occur in blocks
+    // which are only allowed to occur as block tails,
+    // clause entries and parenthesized expressions
     big_and_expression: $ => seq('&&&',
       sepBy('&&&', $._expression),
     ),
@@ -1709,6 +2006,12 @@ module.exports = grammar({
       sepBy('|||', $._expression),
     ),
 
+    _spec_expression: $ => choice(
+      $._expression,
+      $.big_and_expression,
+      $.big_or_expression,
+    ),
+
     // Verus proof block
     proof_block: $ => seq(
       // repeat($.attribute_item),
@@ -1720,52 +2023,52 @@ module.exports = grammar({
     // Verus specific clauses
     requires_clause: $ => seq(
       'requires',
-      sepBy(',', $._expression),
+      sepBy(',', field('condition', $._spec_expression)),
       optional(','),
     ),
 
     ensures_clause: $ => seq(
       'ensures',
-      sepBy(',', $._expression),
+      sepBy(',', field('condition', $._spec_expression)),
       optional(','),
     ),
 
     returns_clause: $ => seq(
       'returns',
-      $._expression,
+      field('value', $._expression),
       optional(','),
     ),
 
     recommends_clause: $ => seq(
       'recommends',
-      sepBy(',', $._expression), optional(','),
-      optional(seq('via', $._expression)),
+      sepBy(',', field('condition', $._spec_expression)), optional(','),
+      optional(seq('via', field('via', $._expression))),
       optional(','),
     ),
 
     decreases_clause: $ => seq(
       'decreases',
-      sepBy(',', $._expression), optional(','),
-      optional(seq('when', $._expression)),
-      optional(seq('via', $._expression)),
+      sepBy(',', field('measure', $._expression)), optional(','),
+      optional(seq('when', field('when', $._expression))),
+      optional(seq('via', field('via', $._expression))),
       optional(','),
     ),
 
     invariant_clause: $ => seq(
       'invariant',
-      sepBy(',', $._expression),
+      sepBy(',', field('condition', $._spec_expression)),
       optional(','),
     ),
 
     invariant_ensures_clause: $ => seq(
       'invariant_ensures',
-      sepBy(',', $._expression),
+      sepBy(',', field('condition', $._spec_expression)),
       optional(','),
     ),
 
     invariant_except_break_clause: $ => seq(
       'invariant_except_break',
-      sepBy(',', $._expression),
+      sepBy(',', field('condition', $._spec_expression)),
       optional(','),
     ),
 
@@ -1774,22 +2077,21 @@ module.exports = grammar({
       choice(
         'any',
         'none',
-        seq('[', sepBy(',', $._expression), ']'),
+        seq('[', sepBy(',', field('invariant', $._expression)), ']'),
       ),
     ),
 
     no_unwind_clause: $ => seq(
       'no_unwind',
-      optional(seq('when', $._expression)),
+      optional(seq('when', field('when', $._expression))),
     ),
 
     is_expression: $ => prec.left(PREC.cast, seq(
       field('value', $._expression),
-      // TODO: not allowing space between ! and is
-      // to avoid a conflict with macro invocation
-      choice('!is', 'is'),
-      // TODO: is this too restrictive?
-      field('variant', $.identifier),
+      // `! is` is lexed as a single token to avoid
+      // a conflict with macro invocation
+      choice(alias(token(seq('!', /\s*/, 'is')), '!is'), 'is'),
+      field('variant', choice($.identifier, $.scoped_identifier)),
     )),
 
     has_expression: $ => prec.left(PREC.cast, seq(
@@ -1853,11 +2155,15 @@ module.exports = grammar({
     ),
 
     // Verus assert forall
+    // Like quantifier_expression, the binder is not a closure so that it
+    // scopes over the implies expression and the proof block
     assert_forall_expression: $ => seq(
       repeat($.attribute_item),
       'assert',
       'forall',
-      $.closure_expression,
+      field('parameters', $.closure_parameters),
+      repeat($.inner_attribute_item),
+      field('body', $._expression),
       optional(seq('implies', $._expression)),
       'by',
       $.block,
@@ -1877,6 +2183,88 @@ module.exports = grammar({
       ),
     )),
 
+    // Verus calc! proof chains, e.g.
+    // calc! { (==) a; { proof } b; (<=) { proof } c }
+    calc_expression: $ => seq(
+      'calc',
+      '!',
+      '{',
+      field('relation', $.calc_relation),
+      field('step', alias($._calc_initial_step, $.calc_step)),
+      repeat(seq(';', field('step', $.calc_step))),
+      optional(';'),
+      '}',
+    ),
+
+    // The first step has no justification
+    _calc_initial_step: $ => field('value', $._expression),
+
+    calc_step: $ => seq(
+      optional(field('relation', $.calc_relation)),
+      field('proof', $.block),
+      field('value', $._expression),
+    ),
+
+    calc_relation: $ => seq(
+      '(',
+      field('operator', choice(
+        '==', '<', '<=', '>', '>=', '==>', '<==>', '===', '=~=', '=~~=',
+      )),
+      ')',
+    ),
+
+    // Verus invariant opening, e.g.
+    // open_atomic_invariant!(&inv => inner => { ... })
+    open_invariant_expression: $ => seq(
+      choice(
+        'open_atomic_invariant!',
+        'open_local_invariant!',
+        'open_atomic_invariant_in_proof!',
+        'open_local_invariant_in_proof!',
+      ),
+      macroDelimited(seq(
+        field('invariant', $._expression),
+        '=>',
+        optional(field('mode', $.data_mode)),
+        field('pattern', $._pattern),
+        '=>',
+        field('body', $.block),
+      )),
+    ),
+
+    // Ghost(..) and Tracked(..) wrappers, e.g. `Tracked(&mut perm)`.
+    // The precedence prefers a wrapper over a call to a function named
+    // Ghost; `Ghost::new(..)` and the `Ghost<T>` type fall back to names
+    ghost_wrapper: $ => prec(1, seq('Ghost', '(', field('value', $._expression), ')')),
+
+    tracked_wrapper: $ => prec(1, seq('Tracked', '(', field('value', $._expression), ')')),
+
+    _ghost_wrapper_pattern: $ => prec(1, seq('Ghost', '(', field('value', $._pattern), ')')),
+
+    _tracked_wrapper_pattern: $ => prec(1, seq('Tracked', '(', field('value', $._pattern), ')')),
+
+    // vstd collection literals: seq![..], set![..] and map![..]
+    seq_literal: $ => seq(
+      'seq!',
+      macroDelimited(seq(sepBy(',', $._expression), optional(','))),
+    ),
+
+    set_literal: $ => seq(
+      'set!',
+      macroDelimited(seq(sepBy(',', $._expression), optional(','))),
+    ),
+
+    map_literal: $ => seq(
+      'map!',
+      macroDelimited(seq(sepBy(',', $.map_entry), optional(','))),
+    ),
+
+    map_entry: $ => seq(
+      field('key', $._expression),
+      '=>',
+      field('value', $._expression),
+    ),
+
     // Section - Patterns
 
     _pattern: $ => choice(
@@ -1899,6 +2287,8 @@ module.exports = grammar({
       $.or_pattern,
       $.const_block,
       $.macro_invocation,
+      $verus(alias($._ghost_wrapper_pattern, $.ghost_wrapper)),
+      $verus(alias($._tracked_wrapper_pattern, $.tracked_wrapper)),
       '_',
     ),
 
@@ -2164,6 +2554,7 @@ module.exports = grammar({
       $.identifier,
       $.scoped_identifier,
       $._reserved_identifier,
+      ...$verus([$._verus_reserved_identifier]),
     ),
 
     identifier: _ => /(r#)?[_\p{XID_Start}][_\p{XID_Continue}]*/,
@@ -2176,6 +2567,24 @@ module.exports = grammar({
       'gen',
     ), $.identifier),
 
+    // Verus keywords that only start a statement, item or wrapper and are
+    // otherwise ordinary names, e.g. hide::<T>(x); or Ghost::new(x)
+    _verus_reserved_identifier: $ => alias(choice(
+      'reveal',
+      'reveal_with_fuel',
+      'hide',
+      'uninterp',
+      'axiom',
+      'Ghost',
+      'Tracked',
+    ), $.identifier),
+
+    // e.g. an anonymous `Ghost<int>` parameter, where a wrapper pattern may also start
+    _verus_reserved_type_identifier: $ => alias(choice(
+      'Ghost',
+      'Tracked',
+    ), $.type_identifier),
+
     _type_identifier: $ => alias($.identifier, $.type_identifier),
     _field_identifier: $ => alias($.identifier, $.field_identifier),
 
@@ -2211,3 +2620,18 @@ function sepBy1(sep, rule) {
 function sepBy(sep, rule) {
   return optional(sepBy1(sep, rule));
 }
+
+/**
+ * Creates a rule to match the rule wrapped in any of the macro delimiters.
+ *
+ * @param {RuleOrLiteral} rule
+ *
+ * @returns {ChoiceRule}
+ */
+function macroDelimited(rule) {
+  return choice(
+    seq('(', rule, ')'),
+    seq('[', rule, ']'),
+    seq('{', rule, '}'),
+  );
+}
@@ -0,0 +1,21 @@
+; Specification clauses
+
+(fn_qualifier) @fold
+
+(loop_spec) @fold
+
+; Proofs
+
+(proof_block) @fold
+
+(assert_by_block_expression
+  (block) @fold)
+
+(assert_forall_expression
+  (block) @fold)
+
+; Verus items and macros
+
+(broadcast_group_list) @fold
+
+(verus_block) @fold
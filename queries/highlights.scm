@@ -39,6 +39,10 @@
 
 ; Function calls
 
+((call_expression
+  function: (identifier) @function.builtin)
+ (#eq? @function.builtin "old"))
+
 (call_expression
   function: (identifier) @function)
 (call_expression
@@ -64,6 +68,20 @@
 
 ; Function definitions
 
+; Spec and proof functions are told apart from exec code
+(function_item
+  (function_mode "spec")
+  name: (identifier) @function.spec)
+(function_signature_item
+  (function_mode "spec")
+  name: (identifier) @function.spec)
+(function_item
+  (function_mode "proof")
+  name: (identifier) @function.proof)
+(function_signature_item
+  (function_mode "proof")
+  name: (identifier) @function.proof)
+
 (function_item (identifier) @function)
 (function_signature_item (identifier) @function)
 
@@ -159,3 +177,121 @@
 "*" @operator
 "&" @operator
 "'" @operator
+
+; Verus
+
+(verus_block
+  "verus" @function.macro
+  "!" @function.macro)
+(calc_expression
+  "calc" @function.macro
+  "!" @function.macro)
+(transition_item
+  kind: (transition_kind) @function.macro
+  "!" @function.macro)
+
+"seq!" @function.macro
+"set!" @function.macro
+"map!" @function.macro
+"open_atomic_invariant!" @function.macro
+"open_local_invariant!" @function.macro
+"open_atomic_invariant_in_proof!" @function.macro
+"open_local_invariant_in_proof!" @function.macro
+"state_machine!" @function.macro
+"tokenized_state_machine!" @function.macro
+
+; Modes
+
+(function_mode) @keyword
+(data_mode) @keyword
+(named_return_type "tracked" @keyword)
+(publish) @keyword
+"broadcast" @keyword
+"group" @keyword
+"global" @keyword
+"assume_specification" @keyword
+"uninterp" @keyword
+"axiom" @keyword
+(global_sizeof "size_of" @keyword)
+(global_layout "layout" @keyword)
+
+; Specification clauses
+
+"requires" @keyword
+"ensures" @keyword
+"returns" @keyword
+"recommends" @keyword
+"decreases" @keyword
+"invariant" @keyword
+"invariant_ensures" @keyword
+"invariant_except_break" @keyword
+"opens_invariants" @keyword
+"no_unwind" @keyword
+"via" @keyword
+"when" @keyword
+(opens_invariants_clause "any" @constant.builtin)
+(opens_invariants_clause "none" @constant.builtin)
+
+(named_return_type (identifier) @variable.parameter)
+
+; Proofs
+
+(proof_block "proof" @keyword)
+"assert" @keyword
+"assume" @keyword
+"by" @keyword
+"implies" @keyword
+"forall" @keyword
+"exists" @keyword
+"choose" @keyword
+(prover (identifier) @attribute)
+"reveal" @function.builtin
+"reveal_with_fuel" @function.builtin
+"hide" @function.builtin
+
+; State machines
+
+"fields" @keyword
+"require" @keyword
+"update" @keyword
+"add" @keyword
+"remove" @keyword
+"have" @keyword
+"deposit" @keyword
+"withdraw" @keyword
+"guard" @keyword
+"birds_eye" @keyword
+(init_statement "init" @keyword)
+(sharding_attribute) @attribute
+(inductive_lemma "inductive" @attribute)
+
+; Spec types
+
+(spec_fn_type "spec_fn" @type.builtin)
+(spec_fn_type "FnSpec" @type.builtin)
+(proof_fn_type "proof_fn" @type.builtin)
+
+; Ghost and tracked wrappers
+
+(ghost_wrapper "Ghost" @constructor)
+(tracked_wrapper "Tracked" @constructor)
+
+; Spec operators
+
+"is" @keyword
+"!is" @keyword
+"has" @keyword
+"!has" @keyword
+"matches" @keyword
+
+(arrow_expression "->" @operator)
+(view_expression "@" @operator)
+(big_and_expression "&&&" @operator)
+(big_or_expression "|||" @operator)
+"==>" @operator
+"<==" @operator
+"<==>" @operator
+"===" @operator
+"!==" @operator
+"=~=" @operator
+"=~~=" @operator
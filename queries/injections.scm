@@ -1,5 +1,42 @@
+; Verus macros whose bodies are Verus code, e.g. a `verus! { ... }` that is
+; not parsed as a verus_block
 ((macro_invocation
+  macro: (identifier) @_macro
   (token_tree) @injection.content)
+ (#any-of? @_macro "verus" "verus_proof_macro_exprs" "verus_exec_macro_exprs" "proof" "proof_decl")
+ (#set! injection.language "verus")
+ (#set! injection.include-children))
+
+((macro_invocation
+  macro: (scoped_identifier
+    name: (identifier) @_macro)
+  (token_tree) @injection.content)
+ (#any-of? @_macro "verus" "verus_proof_macro_exprs" "verus_exec_macro_exprs" "proof" "proof_decl")
+ (#set! injection.language "verus")
+ (#set! injection.include-children))
+
+; Other macros are assumed to take Rust tokens, except for Verus-specific
+; macros that are not Rust syntax
+((macro_invocation
+  macro: (identifier) @_macro
+  (token_tree) @injection.content)
+ (#not-any-of? @_macro
+  "verus" "verus_proof_macro_exprs" "verus_exec_macro_exprs" "proof" "proof_decl"
+  "calc" "seq" "set" "map" "state_machine" "tokenized_state_machine"
+  "open_atomic_invariant" "open_local_invariant"
+  "open_atomic_invariant_in_proof" "open_local_invariant_in_proof")
+ (#set! injection.language "rust")
+ (#set! injection.include-children))
+
+((macro_invocation
+  macro: (scoped_identifier
+    name: (identifier) @_macro)
+  (token_tree) @injection.content)
+ (#not-any-of? @_macro
+  "verus" "verus_proof_macro_exprs" "verus_exec_macro_exprs" "proof" "proof_decl"
+  "calc" "seq" "set" "map" "state_machine" "tokenized_state_machine"
+  "open_atomic_invariant" "open_local_invariant"
+  "open_atomic_invariant_in_proof" "open_local_invariant_in_proof")
  (#set! injection.language "rust")
  (#set! injection.include-children))
 
@@ -0,0 +1,93 @@
+; Scopes
+
+[
+  (block)
+  (function_item)
+  (function_signature_item)
+  (assume_specification_item)
+  (closure_expression)
+  (quantifier_expression)
+  (assert_forall_expression)
+  (for_expression)
+  (if_expression)
+  (while_expression)
+  (match_arm)
+  (open_invariant_expression)
+] @local.scope
+
+; Function parameters and named return values (visible in ensures)
+
+(parameter
+  pattern: (identifier) @local.definition)
+
+(parameter
+  pattern: (ghost_wrapper
+    value: (identifier) @local.definition))
+
+(parameter
+  pattern: (tracked_wrapper
+    value: (identifier) @local.definition))
+
+(self_parameter
+  (self) @local.definition)
+
+(named_return_type
+  (identifier) @local.definition)
+
+; Closure, quantifier and assert forall binders
+
+(closure_parameters
+  (identifier) @local.definition)
+
+; Let bindings, including let ghost and let tracked
+
+(let_declaration
+  pattern: (identifier) @local.definition)
+
+(let_declaration
+  pattern: (tuple_pattern
+    (identifier) @local.definition))
+
+(let_declaration
+  pattern: (ghost_wrapper
+    value: (identifier) @local.definition))
+
+(let_declaration
+  pattern: (tracked_wrapper
+    value: (identifier) @local.definition))
+
+(let_condition
+  pattern: (identifier) @local.definition)
+
+(let_condition
+  pattern: (tuple_struct_pattern
+    "("
+    (identifier) @local.definition))
+
+; Loop and match patterns
+
+(for_expression
+  pattern: (identifier) @local.definition)
+
+(for_expression
+  pattern: (tuple_pattern
+    (identifier) @local.definition))
+
+(for_expression
+  iterator: (identifier) @local.definition)
+
+(match_pattern
+  (tuple_struct_pattern
+    "("
+    (identifier) @local.definition))
+
+(open_invariant_expression
+  pattern: (identifier) @local.definition)
+
+(open_invariant_expression
+  pattern: (tuple_pattern
+    (identifier) @local.definition))
+
+; References
+
+(identifier) @local.reference
@@ -14,6 +14,25 @@
 (type_item
     name: (type_identifier) @name) @definition.class
 
+; spec and proof function definitions
+; (exec functions keep the Rust kinds below)
+
+(function_item
+    (function_mode "spec")
+    name: (identifier) @name) @definition.spec_function
+
+(function_item
+    (function_mode "proof")
+    name: (identifier) @name) @definition.proof_function
+
+(function_signature_item
+    (function_mode "spec")
+    name: (identifier) @name) @definition.spec_function
+
+(function_signature_item
+    (function_mode "proof")
+    name: (identifier) @name) @definition.proof_function
+
 ; method definitions
 
 (declaration_list
@@ -38,6 +57,61 @@
 (macro_definition
     name: (identifier) @name) @definition.macro
 
+; broadcast groups
+
+(broadcast_group
+    name: (identifier) @name) @definition.broadcast_group
+
+; state machines and their transitions
+
+(state_machine_item
+    name: (type_identifier) @name) @definition.state_machine
+
+(transition_item
+    kind: (transition_kind "init")
+    name: (identifier) @name) @definition.init
+
+(transition_item
+    kind: (transition_kind "transition")
+    name: (identifier) @name) @definition.transition
+
+(transition_item
+    kind: (transition_kind "property")
+    name: (identifier) @name) @definition.property
+
+(transition_item
+    kind: (transition_kind "readonly")
+    name: (identifier) @name) @definition.readonly
+
+; external specifications
+
+(assume_specification_item
+    target: (scoped_identifier
+        name: (identifier) @name)) @definition.assume_specification
+
+(assume_specification_item
+    target: (generic_function
+        function: (scoped_identifier
+            name: (identifier) @name))) @definition.assume_specification
+
+; global layout assumptions
+
+(global_item
+    (global_sizeof
+        [
+            (type_identifier) @name
+            (generic_type
+                type: (type_identifier) @name)
+        ])) @definition.global
+
+(global_item
+    (global_layout
+        [
+            (type_identifier) @name
+            (generic_type
+                type: (type_identifier) @name)
+        ])) @definition.global
+
 ; references
 
 (call_expression
@@ -50,6 +124,20 @@
 (macro_invocation
     macro: (identifier) @name) @reference.call
 
+(broadcast_use
+    (identifier) @name) @reference.broadcast_use
+
+(broadcast_use
+    (scoped_identifier
+        name: (identifier) @name)) @reference.broadcast_use
+
+(broadcast_group_list
+    (identifier) @name) @reference.broadcast_use
+
+(broadcast_group_list
+    (scoped_identifier
+        name: (identifier) @name)) @reference.broadcast_use
+
 ; implementations
 
 (impl_item
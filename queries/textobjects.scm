@@ -0,0 +1,49 @@
+; Function contracts
+
+(fn_qualifier) @contract.outer
+
+(requires_clause
+  condition: (_) @contract.inner)
+
+(ensures_clause
+  condition: (_) @contract.inner)
+
+(recommends_clause
+  condition: (_) @contract.inner)
+
+(returns_clause
+  value: (_) @contract.inner)
+
+(decreases_clause
+  measure: (_) @contract.inner)
+
+; Proofs
+
+(proof_block) @proof.outer
+
+(assert_by_expression) @proof.outer
+
+(assert_by_block_expression) @proof.outer
+
+(assert_forall_expression) @proof.outer
+
+(calc_expression) @proof.outer
+
+; Loop invariants
+
+(invariant_clause
+  condition: (_) @invariant.inner)
+
+(invariant_ensures_clause
+  condition: (_) @invariant.inner)
+
+(invariant_except_break_clause
+  condition: (_) @invariant.inner)
+
+; Quantifier bodies
+
+(quantifier_expression
+  body: (_) @quantifier.inner)
+
+(assert_forall_expression
+  body: (_) @quantifier.inner)
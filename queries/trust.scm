@@ -0,0 +1,35 @@
+; Places where trust enters a verified crate.
+; Capture names are stable: tools match on the part after "trust.".
+
+(assume_expression) @trust.assume
+
+(assume_specification_item) @trust.assume_specification
+
+(function_signature_item "axiom") @trust.axiom
+
+(declaration_with_attrs
+  (attribute_item
+    (verifier_attribute
+      name: (identifier) @_directive))
+  (function_item) @trust.external_body
+  (#eq? @_directive "external_body"))
+
+(declaration_with_attrs
+  (attribute_item
+    (verifier_attribute
+      name: (identifier) @_directive))
+  (function_item) @trust.external
+  (#eq? @_directive "external"))
+
+((call_expression
+  function: (identifier) @_function) @trust.admit
+ (#eq? @_function "admit"))
+
+((call_expression
+  function: (scoped_identifier
+    name: (identifier) @_function)) @trust.admit
+ (#eq? @_function "admit"))
+
+(prover) @trust.prover
+
+(global_item) @trust.global
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+
+/**
+ * Generates bindings/node/node-types.d.ts from src/node-types.json.
+ *
+ * Run after `tree-sitter generate` so the TypeScript types follow the grammar.
+ */
+
+const fs = require("node:fs");
+const path = require("node:path");
+
+const ROOT = path.join(__dirname, "..");
+const INPUT = path.join(ROOT, "src", "node-types.json");
+const OUTPUT = path.join(ROOT, "bindings", "node", "node-types.d.ts");
+
+/**
+ * @param {string[]} values
+ */
+function union(values) {
+  if (values.length === 0) {
+    return "never";
+  }
+  return values.map((value) => `\n  | ${JSON.stringify(value)}`).join("");
+}
+
+/**
+ * @param {{ type: string, named: boolean, fields?: Object<string, unknown> }[]} nodeTypes
+ */
+function render(nodeTypes) {
+  const named = nodeTypes.filter((node) => node.named);
+  const types = named.map((node) => node.type).sort();
+  const anonymous = [...new Set(nodeTypes.filter((node) => !node.named).map((node) => node.type))].sort();
+
+  const fields = types.map((type) => {
+    const node = named.find((candidate) => candidate.type === type);
+    const names = Object.keys(node.fields || {}).sort().map((name) => JSON.stringify(name));
+    return `  ${type}: ${names.length ? names.join(" | ") : "never"};`;
+  });
+
+  return [
+    "// Generated by script/generate-node-types.js from src/node-types.json. Do not edit.",
+    "",
+    `/** Named node types, including supertypes such as \`_expression\` */`,
+    `export type NodeType =${union(types)};`,
+    "",
+    "/** Anonymous node types (keywords and punctuation) */",
+    `export type AnonymousNodeType =${union(anonymous)};`,
+    "",
+    "/** Field names of each named node type */",
+    "export interface NodeFields {",
+    ...fields,
+    "}",
+    "",
+    "export type FieldName<T extends NodeType> = NodeFields[T];",
+    "",
+    "export type NodeKinds = { readonly [K in NodeType]: K };",
+    "",
+  ].join("\n");
+}
+
+if (require.main === module) {
+  const nodeTypes = JSON.parse(fs.readFileSync(INPUT, "utf8"));
+  fs.writeFileSync(OUTPUT, render(nodeTypes));
+}
+
+module.exports = {
+  INPUT,
+  OUTPUT,
+  render,
+};
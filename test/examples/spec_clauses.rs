@@ -0,0 +1,48 @@
+use vstd::prelude::*;
+
+verus! {
+
+spec fn sum(s: Seq<int>) -> int
+    decreases s.len(),
+{
+    if s.len() == 0 {
+        0
+    } else {
+        s[0] + sum(s.subrange(1, s.len() as int))
+    }
+}
+
+proof fn lemma_sum_nonneg(s: Seq<int>)
+    requires
+        forall|i: int| 0 <= i < s.len() ==> s[i] >= 0,
+    ensures
+        sum(s) >= 0,
+    decreases s.len(),
+{
+    if s.len() > 0 {
+        lemma_sum_nonneg(s.subrange(1, s.len() as int));
+    }
+}
+
+fn total(v: &Vec<u32>) -> (r: u64)
+    requires
+        v.len() < 100,
+    ensures
+        r as int <= v.len() * 0xffff_ffff,
+{
+    let mut r: u64 = 0;
+    let mut i = 0;
+    while i < v.len()
+        invariant
+            i <= v.len(),
+            v.len() < 100,
+            r as int <= i * 0xffff_ffff,
+        decreases v.len() - i,
+    {
+        r = r + v[i] as u64;
+        i = i + 1;
+    }
+    r
+}
+
+} // verus!
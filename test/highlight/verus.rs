@@ -0,0 +1,61 @@
+verus! {
+// <- function.macro
+
+pub open spec fn is_even(x: int) -> bool {
+//  ^ keyword
+//       ^ keyword
+//               ^ function.spec
+//                          ^ type.builtin
+    x % 2 == 0
+}
+
+proof fn lemma_even(x: int) -> (r: int)
+// <- keyword
+//       ^ function.proof
+//                              ^ variable.parameter
+    requires
+//  ^ keyword
+        x > 0,
+    ensures
+//  ^ keyword
+        x ==> x > 0,
+//        ^ operator
+    decreases x
+//  ^ keyword
+{
+    assert(forall|i: int| i =~= i) by (nonlinear_arith);
+//  ^ keyword
+//         ^ keyword
+//                          ^ operator
+//                                 ^ keyword
+//                                     ^ attribute
+    let ghost g = x;
+//      ^ keyword
+    x
+}
+
+proof fn lemma_all(s: Seq<int>) {
+    assert forall|i: int| 0 <= i < s.len() implies s[i] >= 0 by {
+//                                                   ^ variable.parameter
+        lemma_even(i);
+//                 ^ variable.parameter
+    }
+}
+
+fn exec_fn(x: Option<u32>)
+// ^ function
+    ensures x is Some,
+//            ^ keyword
+//          ^ variable.parameter
+{
+    proof { assume(old(x)@ == x); }
+//  ^ keyword
+//          ^ keyword
+//                 ^ function.builtin
+//                       ^ operator
+    let Tracked(perm) = Tracked(p);
+//      ^ constructor
+//                      ^ constructor
+}
+
+} // verus!
@@ -0,0 +1,64 @@
+verus! {
+
+spec fn spec_double(x: int) -> int { x * 2 }
+//      ^ definition.spec_function
+
+proof fn lemma_double(x: int)
+//       ^ definition.proof_function
+    ensures spec_double(x) == x + x,
+{
+}
+
+pub broadcast group group_double {
+//                  ^ definition.broadcast_group
+    lemma_double,
+//  ^ reference.broadcast_use
+}
+
+broadcast use group_double;
+//            ^ reference.broadcast_use
+
+pub assume_specification<T> [core::mem::swap::<T>](a: &mut T, b: &mut T);
+//                                      ^ definition.assume_specification
+
+global size_of Node == 16;
+//             ^ definition.global
+
+state_machine!{
+    Counter {
+//  ^ definition.state_machine
+        fields {
+            pub value: nat,
+        }
+
+        init!{
+            zero() {
+//          ^ definition.init
+                init value = 0;
+            }
+        }
+
+        transition!{
+            increment() {
+//          ^ definition.transition
+                update value = pre.value + 1;
+            }
+        }
+
+        property!{
+            positive() {
+//          ^ definition.property
+                assert pre.value >= 0;
+            }
+        }
+
+        readonly!{
+            current() {
+//          ^ definition.readonly
+                require pre.value >= 0;
+            }
+        }
+    }
+}
+
+} // verus!